@@ -0,0 +1,239 @@
+// Client for the road distress service used by the /api/distress-* routes.
+//
+// Configuration (environment, or options to createDistressClient):
+//   DISTRESS_API_BASE_URL       service root, e.g. http://localhost:8000 for a local stand-in
+//   DISTRESS_API_ENDPOINTS      JSON overrides for the endpoint map: { "<name>": "/path" } or
+//                               { "<name>": { ...endpoint fields } }
+//   DISTRESS_API_TIMEOUT_MS     per-attempt timeout (default 300000; the pipelines are slow)
+//   DISTRESS_API_RETRIES        extra attempts after a 5xx or network error (default 2)
+//   DISTRESS_API_RETRY_DELAY_MS first backoff delay, doubled for each retry (default 1000)
+//
+// Every failure is thrown as an Error with { status, endpoint, upstreamStatus, detail }, where
+// status is what the proxy route should answer with: the upstream status for 4xx, 502 for 5xx
+// and network errors, 504 for timeouts.
+
+const fs = require('fs');
+const axios = require('axios');
+const FormData = require('form-data');
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const DEFAULT_BASE_URL = 'https://distress-kml.up.railway.app';
+
+// Endpoint fields:
+//   path           POST path under the base URL
+//   fileFields     form fields the uploaded KML is sent as
+//   accept         Accept header
+//   contentType    Content-Type to answer with when the service sends none
+//   filename       download name when the service sends no Content-Disposition
+//   fallbackPaths  paths tried in turn when the POST to `path` fails after its retries
+//   downloadOnRedirect  the service may answer the POST with a redirect (or a non-Excel body),
+//                  in which case the report is fetched with a GET on the same path
+const DEFAULT_ENDPOINTS = {
+    reported: {
+        path: '/road-distress-fullpipeline_reported',
+        fileFields: ['file'],
+        accept: '*/*',
+        contentType: XLSX_TYPE
+    },
+    predicted: {
+        path: '/detect-distress-final_predicted/',
+        fileFields: ['kml'],
+        accept: 'application/json',
+        contentType: 'text/csv'
+    },
+    finalPredicted: {
+        path: '/detect-distress-final_predicted/',
+        fileFields: ['file', 'kml'],
+        accept: XLSX_TYPE,
+        contentType: XLSX_TYPE,
+        filename: 'distress_predicted_final.xlsx'
+    },
+    fullPipeline: {
+        path: '/road-distress-fullpipeline_reported',
+        fallbackPaths: ['/road-distress-fullpipeline/'],
+        fileFields: ['file'],
+        accept: XLSX_TYPE,
+        contentType: XLSX_TYPE,
+        filename: 'distress_report.xlsx',
+        downloadOnRedirect: true
+    }
+};
+
+const FORM_FIELDS = ['start_date', 'end_date', 'project_name'];
+const DOWNLOAD_QUERY_FIELDS = ['start_date', 'end_date'];
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function parseEndpointOverrides(raw) {
+    if (!raw) return {};
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`DISTRESS_API_ENDPOINTS is not valid JSON: ${error.message}`);
+    }
+    const overrides = {};
+    Object.entries(parsed || {}).forEach(([name, value]) => {
+        overrides[name] = typeof value === 'string' ? { path: value } : value;
+    });
+    return overrides;
+}
+
+function mergeEndpoints(overrides) {
+    const endpoints = { ...DEFAULT_ENDPOINTS };
+    Object.entries(overrides || {}).forEach(([name, value]) => {
+        endpoints[name] = { fileFields: ['file'], accept: '*/*', ...(endpoints[name] || {}), ...value };
+    });
+    return endpoints;
+}
+
+function distressError(message, status, details = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.detail = message;
+    Object.assign(error, details);
+    return error;
+}
+
+// Best-effort readable message from an error body (FastAPI answers { detail })
+function upstreamDetail(data) {
+    if (!data) return '';
+    const text = Buffer.isBuffer(data) ? data.toString('utf8') : (typeof data === 'string' ? data : JSON.stringify(data));
+    try {
+        const parsed = JSON.parse(text);
+        if (parsed && parsed.detail) return typeof parsed.detail === 'string' ? parsed.detail : JSON.stringify(parsed.detail);
+    } catch { /* not JSON */ }
+    return text.slice(0, 500);
+}
+
+const isTimeout = error => error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.code === 'ERR_CANCELED';
+
+// Timeouts are not retried: the service is most likely still working on the first request
+function isRetryable(error) {
+    if (error.response) return error.response.status >= 500;
+    return !isTimeout(error);
+}
+
+function createDistressClient(options = {}) {
+    const config = {
+        baseUrl: (options.baseUrl || process.env.DISTRESS_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+        endpoints: mergeEndpoints(options.endpoints || parseEndpointOverrides(process.env.DISTRESS_API_ENDPOINTS)),
+        timeoutMs: options.timeoutMs !== undefined ? options.timeoutMs : envInt('DISTRESS_API_TIMEOUT_MS', 300000),
+        retries: options.retries !== undefined ? options.retries : envInt('DISTRESS_API_RETRIES', 2),
+        retryDelayMs: options.retryDelayMs !== undefined ? options.retryDelayMs : envInt('DISTRESS_API_RETRY_DELAY_MS', 1000)
+    };
+    const http = options.httpClient || axios;
+    const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    // Run one HTTP call with retries. build() is called per attempt, as form streams are single use.
+    async function withRetries(endpointName, build) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await http.request({
+                    timeout: config.timeoutMs,
+                    maxBodyLength: Infinity,
+                    maxContentLength: Infinity,
+                    responseType: 'arraybuffer',
+                    ...build()
+                });
+            } catch (error) {
+                if (attempt >= config.retries || !isRetryable(error)) throw error;
+                const delay = config.retryDelayMs * 2 ** attempt;
+                console.error(`Distress ${endpointName}: ${error.response ? `HTTP ${error.response.status}` : error.message}; retrying in ${delay} ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    function buildForm(endpoint, file, fields) {
+        const form = new FormData();
+        endpoint.fileFields.forEach(field => {
+            form.append(field, fs.createReadStream(file.path), { filename: file.name, contentType: file.contentType });
+        });
+        FORM_FIELDS.forEach(name => {
+            if (fields[name]) form.append(name, fields[name]);
+        });
+        return form;
+    }
+
+    function toResult(endpoint, response) {
+        return {
+            status: response.status,
+            contentType: response.headers['content-type'] || endpoint.contentType || 'application/octet-stream',
+            contentDisposition: response.headers['content-disposition'] ||
+                (endpoint.filename ? `attachment; filename="${endpoint.filename}"` : null),
+            data: Buffer.from(response.data)
+        };
+    }
+
+    async function post(endpointName, endpoint, urlPath, file, fields) {
+        const url = config.baseUrl + urlPath;
+        const response = await withRetries(endpointName, () => {
+            const form = buildForm(endpoint, file, fields);
+            return {
+                method: 'post',
+                url,
+                data: form,
+                headers: { ...form.getHeaders(), accept: endpoint.accept },
+                // redirects are followed by hand below, as a GET with the date range
+                maxRedirects: endpoint.downloadOnRedirect ? 0 : 5,
+                validateStatus: status => status < 300 || (endpoint.downloadOnRedirect && status < 400)
+            };
+        });
+
+        const isExcel = (response.headers['content-type'] || '').includes(XLSX_TYPE);
+        if (!endpoint.downloadOnRedirect || (response.status < 300 && isExcel)) return toResult(endpoint, response);
+
+        const query = new URLSearchParams();
+        DOWNLOAD_QUERY_FIELDS.forEach(name => {
+            if (fields[name]) query.set(name, fields[name]);
+        });
+        const downloadUrl = `${url.replace(/\/+$/, '')}?${query.toString()}`;
+        const download = await withRetries(endpointName, () => ({
+            method: 'get',
+            url: downloadUrl,
+            headers: { accept: endpoint.accept }
+        }));
+        return toResult(endpoint, download);
+    }
+
+    // Send a KML to one of the endpoints. file: { path, name, contentType };
+    // fields: { start_date, end_date, project_name }. Resolves to
+    // { status, contentType, contentDisposition, data (Buffer) }.
+    async function request(endpointName, file, fields = {}) {
+        const endpoint = config.endpoints[endpointName];
+        if (!endpoint) throw distressError(`Unknown distress endpoint "${endpointName}"`, 500, { endpoint: endpointName });
+
+        const paths = [endpoint.path, ...(endpoint.fallbackPaths || [])];
+        let lastError;
+        for (const urlPath of paths) {
+            try {
+                return await post(endpointName, endpoint, urlPath, file, fields);
+            } catch (error) {
+                lastError = error;
+                // the service answered: a different path will not change a 4xx
+                if (error.response && error.response.status < 500) break;
+            }
+        }
+
+        const upstreamStatus = lastError.response ? lastError.response.status : null;
+        const details = { endpoint: endpointName, upstreamStatus };
+        if (upstreamStatus && upstreamStatus < 500) {
+            throw distressError(upstreamDetail(lastError.response.data) || `Distress service rejected the request (${upstreamStatus})`, upstreamStatus, details);
+        }
+        if (upstreamStatus) {
+            throw distressError(`Distress service error (${upstreamStatus}): ${upstreamDetail(lastError.response.data)}`.replace(/: $/, ''), 502, details);
+        }
+        if (isTimeout(lastError)) {
+            throw distressError(`Distress service did not answer within ${config.timeoutMs} ms`, 504, details);
+        }
+        throw distressError(`Could not reach the distress service: ${lastError.message}`, 502, details);
+    }
+
+    return { config, request };
+}
+
+module.exports = { createDistressClient, DEFAULT_ENDPOINTS };
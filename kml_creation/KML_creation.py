@@ -2,15 +2,19 @@
 """
 Full Road Pipeline
 - Read input LineString KML
-- Interpolate every INTERVAL_METERS (default 5 m)
-- Create chainage Excel (point-based) with Chainage Start / Chainage End
-- Compute Median_LHS / Median_RHS (offset from center)
-- Create lane layers (L1/L2/L3) for left/right based on LANE_COUNT with LANE_STEP_M
+- Interpolate every INTERVAL_METERS (default 5 m), optionally only inside a from/to chainage window
+- Create chainage Excel (point-based) with Chainage Start / Chainage End, honouring the chainage
+  direction and any chainage equations (back = ahead breaks) from the run config
+- Compute Median_LHS / Median_RHS (offset from center, per side)
+- Create lane layers (L1..Ln) for left/right from the per-side lane widths in the run config,
+  or from LANE_COUNT with LANE_STEP_M when no run config is given
 - Produce per-layer KMLs grouped into bins anchored at CHAINAGE_START_KM with bin size KML_MERGE_OFFSET_KM (km)
 - Produce merged KML per layer
+- Style lanes, chainage lines and labels from the run config's styling profile
 """
 import sys
 import os
+import json
 import math
 import shutil
 from xml.dom import minidom
@@ -37,13 +41,39 @@ else:
     OUTPUT_FOLDER = "C:\\Users\\Rudra.Joshi\\Desktop\\kml_web\\pipeline"
     CHAINAGE_START_KM = 0  #change
     INTERVAL_METERS = 5
-    LANE_COUNT = 4                      #change # allowed values: 0,2,4,6. 2 -> L1 only, 4 -> L1+L2, 6 -> L1+L2+L3
+    LANE_COUNT = 4                      #change # total lanes, split evenly: 2 -> L1 only, 4 -> L1+L2, 6 -> L1+L2+L3, ...
     LANE_STEP_M =  3.4              # meters per lane offset step
     KML_MERGE_OFFSET_KM = 0.100      #change # 0.100 km -> 100 m bins
     OFFSET_LINE_POLYGONS_EXCEL = 2.75  #change # meters (median left/right offset)
 
+# Optional 9th argument: run config JSON written by the server.
+# "lhs"/"rhs": {"laneCount": n, "laneWidthsM": [w1, ..., wn], "medianOffsetM": m}
+# "chainage": {"direction": "increasing" | "decreasing", "equations": [{"backKm": b, "aheadKm": a}, ...]}
+# "window": {"fromKm": f, "toKm": t}  (either may be null; chainage still counts from CHAINAGE_START_KM)
+# "style": {"lhsColor": "#rrggbb", "rhsColor": ..., "lineWidth": w, "fillOpacity": 0..1,
+#           "chainageLineColor": ..., "chainagePointColor": ..., "chainageLabelIntervalM": m, "extendedData": bool}
+RUN_CONFIG = {}
+if len(sys.argv) >= 10:
+    with open(sys.argv[9], "r", encoding="utf-8") as f:
+        RUN_CONFIG = json.load(f)
+
 CHAINAGE_DECIMALS = 3
 
+# +1 when chainage grows in the digitisation direction, -1 when it runs against it
+_chainage_cfg = RUN_CONFIG.get("chainage") or {}
+CHAINAGE_DIRECTION = -1 if _chainage_cfg.get("direction") == "decreasing" else 1
+# (back_km, ahead_km) in the order they are reached along the line
+CHAINAGE_EQUATIONS = [(float(eq["backKm"]), float(eq["aheadKm"])) for eq in _chainage_cfg.get("equations") or []]
+# Excel column holding the equation zone (0 before the first equation, 1 after it, ...); only
+# written when the run has equations, since chainage values can then repeat along the road
+ZONE_COLUMN = "Equation Zone"
+_window_cfg = RUN_CONFIG.get("window") or {}
+WINDOW_FROM_KM = _window_cfg.get("fromKm")
+WINDOW_TO_KM = _window_cfg.get("toKm")
+# Without a styling profile the KMLs keep the original look: default outlines, no fill,
+# white chainage lines, a yellow label on every point
+STYLE = RUN_CONFIG.get("style") or {}
+
 # geodetic util
 geod = Geod(ellps="WGS84")
 
@@ -107,29 +137,46 @@ def read_linestring_from_kml(kml_path):
         raise
 
 
-def interpolate_geodesic_points(line_coords, interval_meters):
-    """
-    Interpolate points every interval_meters along the LineString.
-    Returns list of (lon, lat).
-    """
-    if len(line_coords) < 2:
-        return []
-    # cumulative distances (meters) along the polyline
+def cumulative_lengths(line_coords):
+    """Cumulative geodesic distance (meters) at each vertex of the polyline."""
     cum = [0.0]
     for i in range(1, len(line_coords)):
         lon1, lat1 = line_coords[i - 1]
         lon2, lat2 = line_coords[i]
         seg_len = geod.line_length([lon1, lon2], [lat1, lat2])
         cum.append(cum[-1] + seg_len)
-    total_len = cum[-1]
+    return cum
+
+
+def count_interpolation_points(line_coords, interval_meters):
+    """Number of points interpolate_geodesic_points returns for the whole line."""
+    if len(line_coords) < 2:
+        return 0
+    total_len = cumulative_lengths(line_coords)[-1]
     if total_len <= 0:
+        return 0
+    # include last point with small epsilon
+    return int(math.floor((total_len + 1e-6) / interval_meters)) + 1
+
+
+def interpolate_geodesic_points(line_coords, interval_meters, first_index=0, last_index=None):
+    """
+    Interpolate points every interval_meters along the LineString.
+    first_index/last_index restrict the output to points first_index..last_index (inclusive)
+    of the full interpolation, so a chainage window does not interpolate the whole line.
+    Returns list of (lon, lat).
+    """
+    n_points = count_interpolation_points(line_coords, interval_meters)
+    if n_points == 0:
         return []
+    cum = cumulative_lengths(line_coords)
+    if last_index is None or last_index > n_points - 1:
+        last_index = n_points - 1
     pts = []
-    cur = 0.0
-    # include last point with small epsilon
-    while cur <= total_len + 1e-6:
-        # find segment index
-        i = 0
+    i = 0
+    for k in range(first_index, last_index + 1):
+        cur = k * interval_meters
+        # find segment index (points are in order, so continue from the previous one)
         while i < len(cum) - 1 and cum[i + 1] < cur - 1e-9:
             i += 1
         seg_start = cum[i]
@@ -143,16 +190,69 @@ def interpolate_geodesic_points(line_coords, interval_meters):
         ilon = lon1 + frac * (lon2 - lon1)
         ilat = lat1 + frac * (lat2 - lat1)
         pts.append((ilon, ilat))
-        cur += interval_meters
     return pts
 
 
-def make_chainages(start_km, n_points, step_m):
-    """Return labels and numeric km values for n_points."""
+def make_chainages(start_km, n_points, step_m, direction=1, equations=()):
+    """
+    Return labels, numeric km values and equation zones for n_points spaced step_m apart.
+    Chainage moves by direction * step from start_km. When it reaches an equation's back value it
+    continues from the ahead value; a point exactly on the break takes the ahead value.
+    """
     step_km = step_m / 1000.0
-    chainages = [round(start_km + i * step_km, CHAINAGE_DECIMALS) for i in range(n_points)]
+    base_km, base_dist_km = start_km, 0.0
+    zone = 0
+    chainages, zones = [], []
+    for i in range(n_points):
+        dist_km = i * step_km
+        value = base_km + direction * (dist_km - base_dist_km)
+        while zone < len(equations) and direction * (value - equations[zone][0]) >= -1e-9:
+            back_km, ahead_km = equations[zone]
+            base_dist_km += direction * (back_km - base_km)
+            base_km = ahead_km
+            zone += 1
+            value = base_km + direction * (dist_km - base_dist_km)
+        chainages.append(round(value, CHAINAGE_DECIMALS))
+        zones.append(zone)
     labels = [f"{c:.{CHAINAGE_DECIMALS}f}" for c in chainages]
-    return labels, chainages
+    return labels, chainages, zones
+
+
+def select_chainage_window(chainages, from_km, to_km):
+    """
+    Index range (first, last) of the first contiguous run of points whose chainage lies between
+    from_km and to_km (either may be None; order does not matter, so a decreasing road can pass
+    them in travel order). Raises ValueError when no point falls in the window.
+    """
+    if from_km is not None and to_km is not None:
+        lo, hi = min(from_km, to_km), max(from_km, to_km)
+    elif (from_km is not None) == (CHAINAGE_DIRECTION > 0):
+        # a single bound: "from" cuts off what comes before it, "to" what comes after it
+        lo, hi = (from_km if from_km is not None else to_km), None
+    else:
+        lo, hi = None, (from_km if from_km is not None else to_km)
+
+    def inside(c):
+        return (lo is None or c >= lo - 1e-9) and (hi is None or c <= hi + 1e-9)
+
+    first = next((i for i, c in enumerate(chainages) if inside(c)), None)
+    if first is None:
+        raise ValueError(
+            f"No chainage between {from_km} and {to_km} km on this alignment "
+            f"(chainage runs {chainages[0]:.{CHAINAGE_DECIMALS}f} to {chainages[-1]:.{CHAINAGE_DECIMALS}f} km)")
+    last = first
+    while last + 1 < len(chainages) and inside(chainages[last + 1]):
+        last += 1
+    return first, last
+
+
+def chainage_ends(chainages, step_km):
+    """Each point's segment ends at the next point's chainage (across equations too); the last one step further."""
+    values = [float(c) for c in chainages]
+    if not values:
+        return []
+    ends = values[1:] + [values[-1] + CHAINAGE_DIRECTION * step_km]
+    return [round(e, CHAINAGE_DECIMALS) for e in ends]
 
 
 def calculate_bearing(A: Point, B: Point):
@@ -197,19 +297,68 @@ def offset_point(lat, lon, offset_meters, side, prev_pt=None, next_pt=None):
     return dest.latitude, dest.longitude
 
 
+# -----------------------------
+# KML styling
+# -----------------------------
+def kml_color(hex_rgb, opacity=1.0):
+    """'#rrggbb' + opacity -> KML 'aabbggrr'."""
+    rgb = hex_rgb.lstrip("#")
+    alpha = max(0, min(255, int(round(opacity * 255))))
+    return f"{alpha:02x}{rgb[4:6]}{rgb[2:4]}{rgb[0:2]}"
+
+
+def style_lane_polygon(pol, layer_tag):
+    """Apply the side's colour, outline width and fill opacity to a lane polygon."""
+    color = STYLE.get("rhsColor" if layer_tag.startswith("RHS") else "lhsColor")
+    if color:
+        pol.style.linestyle.color = kml_color(color)
+        pol.style.polystyle.color = kml_color(color, float(STYLE.get("fillOpacity", 0)))
+    if STYLE.get("lineWidth"):
+        pol.style.linestyle.width = float(STYLE["lineWidth"])
+    pol.style.polystyle.fill = 1 if float(STYLE.get("fillOpacity", 0)) > 0 else 0
+
+
+def add_extended_data(placemark, fields):
+    """Attach fields as <ExtendedData> when the profile asks for it."""
+    if not STYLE.get("extendedData"):
+        return
+    for name, value in fields.items():
+        placemark.extendeddata.newdata(name=name, value=str(value))
+
+
+def lane_extended_data(layer_tag, start_km, end_km):
+    return {
+        "ChainageStart": f"{float(start_km):.{CHAINAGE_DECIMALS}f}",
+        "ChainageEnd": f"{float(end_km):.{CHAINAGE_DECIMALS}f}",
+        "Lane": layer_tag,
+        "Side": layer_tag.split("_")[0]
+    }
+
+
+def is_label_chainage(chainage_km):
+    """True when a chainage point gets a label under the profile's label interval (0 = every point)."""
+    interval_m = float(STYLE.get("chainageLabelIntervalM") or 0)
+    if interval_m <= 0:
+        return True
+    metres = chainage_km * 1000.0
+    return abs(metres - round(metres / interval_m) * interval_m) < 1e-6
+
+
 def df_chain_to_segment_excel(df_chain, excel_path):
     """
-    Given df_chain with columns: chainage_km_str, chainage_km, latitude, longitude
-    Write an excel with columns: Chainage Start, Chainage End, Latitude, Longitude
-    Each row is a chainage POINT start (end = start + step_km).
+    Given df_chain with columns: chainage_km_str, chainage_km, latitude, longitude (and zone)
+    Write an excel with columns: Chainage Start, Chainage End, Latitude, Longitude (+ Equation Zone)
+    Each row is a chainage POINT start (end = next point's chainage).
     """
     step_km = INTERVAL_METERS / 1000.0
     df = df_chain.copy()
     df["Chainage Start"] = df["chainage_km"].round(CHAINAGE_DECIMALS)
-    df["Chainage End"] = (df["chainage_km"] + step_km).round(CHAINAGE_DECIMALS)
+    df["Chainage End"] = chainage_ends(df["chainage_km"], step_km)
     df_out = df[["Chainage Start", "Chainage End", "latitude", "longitude"]].rename(
         columns={"latitude": "Latitude", "longitude": "Longitude"}
     )
+    if CHAINAGE_EQUATIONS:
+        df_out[ZONE_COLUMN] = df["zone"].values
     df_out.to_excel(excel_path, index=False)
     return df_out
 
@@ -218,7 +367,7 @@ def save_offset_excel(input_df, offsets_lonlat, excel_path):
     """
     offsets_lonlat: list of (lon, lat)
     input_df: must contain 'chainage_km' or 'Chainage Start'
-    Output columns: Chainage Start, Chainage End, Latitude, Longitude
+    Output columns: Chainage Start, Chainage End, Latitude, Longitude (+ Equation Zone)
     """
     step_km = INTERVAL_METERS / 1000.0
     if "chainage_km" in input_df.columns:
@@ -229,10 +378,13 @@ def save_offset_excel(input_df, offsets_lonlat, excel_path):
         raise ValueError("Input DataFrame must contain 'chainage_km' or 'Chainage Start'.")
     df = pd.DataFrame({
         "Chainage Start": [round(float(x), CHAINAGE_DECIMALS) for x in chainage_source],
-        "Chainage End": [round(float(x) + step_km, CHAINAGE_DECIMALS) for x in chainage_source],
+        "Chainage End": chainage_ends(chainage_source, step_km),
         "Latitude": [lat for lon, lat in offsets_lonlat],
         "Longitude": [lon for lon, lat in offsets_lonlat]
     })
+    if CHAINAGE_EQUATIONS:
+        zones = input_df["zone"] if "zone" in input_df.columns else input_df[ZONE_COLUMN]
+        df[ZONE_COLUMN] = zones.values
     df.to_excel(excel_path, index=False)
     return df
 
@@ -240,12 +392,32 @@ def save_offset_excel(input_df, offsets_lonlat, excel_path):
 # -----------------------------
 # Layer creation (Excel outputs)
 # -----------------------------
-def create_layers_from_base(base_df_path, side, prefix, count_layers):
+def compute_layer_count(lane_count):
+    """Lanes per side for a symmetric road with lane_count lanes in total."""
+    if lane_count < 2:
+        return 0
+    return lane_count // 2
+
+
+def side_lane_config(side_key):
+    """
+    Lane widths (innermost lane first) and median offset for 'lhs' or 'rhs'.
+    Falls back to LANE_COUNT / LANE_STEP_M / OFFSET_LINE_POLYGONS_EXCEL when the run config has no entry.
+    """
+    cfg = RUN_CONFIG.get(side_key) or {}
+    widths = cfg.get("laneWidthsM")
+    if widths is None:
+        widths = [LANE_STEP_M] * int(cfg.get("laneCount", compute_layer_count(LANE_COUNT)))
+    median_offset = float(cfg.get("medianOffsetM", OFFSET_LINE_POLYGONS_EXCEL))
+    return [float(w) for w in widths], median_offset
+
+
+def create_layers_from_base(base_df_path, side, prefix, lane_widths):
     """
     base_df_path: path to excel with Chainage Start/End, Latitude, Longitude (median)
     side: 'left' or 'right'
     prefix: 'LHS' or 'RHS'
-    count_layers: number of layers to create (1..3)
+    lane_widths: width in meters of each layer to create, innermost first
     Returns dict: { "LHS_L1": "/path/to/LHS_L1.xlsx", ... }
     """
     created_paths = {}
@@ -253,14 +425,14 @@ def create_layers_from_base(base_df_path, side, prefix, count_layers):
     # ensure columns expected
     if not {"Chainage Start", "Chainage End", "Latitude", "Longitude"}.issubset(prev_df.columns):
         raise ValueError("Base Excel missing required columns.")
-    for L in range(1, count_layers + 1):
+    for L, lane_width in enumerate(lane_widths, start=1):
         layer_name = f"{prefix}_L{L}"
         prev_points = [Point(latitude=row["Latitude"], longitude=row["Longitude"]) for _, row in prev_df.iterrows()]
         offsets = []
         for i, p in enumerate(prev_points):
             prev_pt = prev_points[i - 1] if i > 0 else None
             next_pt = prev_points[i + 1] if i < len(prev_points) - 1 else None
-            lat_off, lon_off = offset_point(p.latitude, p.longitude, LANE_STEP_M, side, prev_pt=prev_pt, next_pt=next_pt)
+            lat_off, lon_off = offset_point(p.latitude, p.longitude, lane_width, side, prev_pt=prev_pt, next_pt=next_pt)
             offsets.append((lon_off, lat_off))
         excel_path = os.path.join(EXCEL_FOLDER, f"{layer_name}.xlsx")
         df_created = save_offset_excel(prev_df, offsets, excel_path)
@@ -276,7 +448,9 @@ def create_layers_from_base(base_df_path, side, prefix, count_layers):
 def generate_layer_bin_kmls(a_path, b_path, out_layer_folder, layer_tag, bin_km=KML_MERGE_OFFSET_KM):
     """
     Merge two excel files (a_path, b_path) and create KMLs grouped by bin_km anchored at CHAINAGE_START_KM.
-    Each bin will produce one KML named Chainage_{start:.3f}_to_{end:.3f}_{layer_tag}.kml
+    Each bin will produce one KML named Chainage_{start:.3f}_to_{end:.3f}_{layer_tag}.kml, start/end in
+    travel order (start > end when chainage decreases). Bins after the n-th chainage equation get an
+    _eq{n} suffix, as their chainage range can repeat one before the equation.
     bin_km is in kilometers (e.g., 0.100)
     """
     os.makedirs(out_layer_folder, exist_ok=True)
@@ -289,8 +463,11 @@ def generate_layer_bin_kmls(a_path, b_path, out_layer_folder, layer_tag, bin_km=
     b["Chainage Start"] = b["Chainage Start"].round(CHAINAGE_DECIMALS)
     b["Chainage End"] = b["Chainage End"].round(CHAINAGE_DECIMALS)
 
-    merged = pd.merge(a, b, on=["Chainage Start", "Chainage End"], suffixes=("_1", "_2"))
-    merged = merged.sort_values("Chainage Start").reset_index(drop=True)
+    # keep travel order: chainage is not monotonic with equations or a decreasing direction
+    a["_order"] = range(len(a))
+    keys = ["Chainage Start", "Chainage End"] + ([ZONE_COLUMN] if ZONE_COLUMN in a.columns else [])
+    merged = pd.merge(a, b, on=keys, suffixes=("_1", "_2"))
+    merged = merged.sort_values("_order").reset_index(drop=True)
 
     if merged.empty:
         return []
@@ -305,14 +482,15 @@ def generate_layer_bin_kmls(a_path, b_path, out_layer_folder, layer_tag, bin_km=
             continue
 
         start_km = float(row["Chainage Start"])  # numeric in km
-        rel = (start_km - CHAINAGE_START_KM) / bin_km
+        rel = CHAINAGE_DIRECTION * (start_km - CHAINAGE_START_KM) / bin_km
         bin_idx = int(math.floor(rel + 1e-9))
-        bins.setdefault(bin_idx, []).append(idx)
+        zone = int(row[ZONE_COLUMN]) if ZONE_COLUMN in merged.columns else 0
+        bins.setdefault((zone, bin_idx), []).append(idx)
 
     out_paths = []
-    for bin_idx, indices in sorted(bins.items()):
-        start_bin_km = CHAINAGE_START_KM + bin_idx * bin_km
-        end_bin_km = start_bin_km + bin_km
+    for (zone, bin_idx), indices in bins.items():  # insertion order = travel order
+        start_bin_km = CHAINAGE_START_KM + CHAINAGE_DIRECTION * bin_idx * bin_km
+        end_bin_km = start_bin_km + CHAINAGE_DIRECTION * bin_km
         kml = simplekml.Kml()
         for i in indices:
             # create polygon for segment i -> i+1
@@ -326,16 +504,22 @@ def generate_layer_bin_kmls(a_path, b_path, out_layer_folder, layer_tag, bin_km=
             name = f"{merged.loc[i,'Chainage Start']:.{CHAINAGE_DECIMALS}f}_to_{merged.loc[i,'Chainage End']:.{CHAINAGE_DECIMALS}f}"
             full_name = f"Chainage_{name}_{layer_tag}"
             pol = kml.newpolygon(name=full_name, outerboundaryis=coords)
-            pol.style.polystyle.fill = 0
+            style_lane_polygon(pol, layer_tag)
+            add_extended_data(pol, lane_extended_data(layer_tag, merged.loc[i, "Chainage Start"], merged.loc[i, "Chainage End"]))
 
-        out_name = os.path.join(out_layer_folder, f"Chainage_{start_bin_km:.{CHAINAGE_DECIMALS}f}_to_{end_bin_km:.{CHAINAGE_DECIMALS}f}_{layer_tag}.kml")
+        zone_suffix = f"_eq{zone}" if zone else ""
+        out_name = os.path.join(out_layer_folder, f"Chainage_{start_bin_km:.{CHAINAGE_DECIMALS}f}_to_{end_bin_km:.{CHAINAGE_DECIMALS}f}_{layer_tag}{zone_suffix}.kml")
         kml.save(out_name)
         out_paths.append(out_name)
     return out_paths
 
 
-def merge_layer_folder_to_single_kml(layer_folder, out_merge_path):
-    """Merge all KML polygons in layer_folder into a single KML file, preserving each polygon's name."""
+def merge_layer_folder_to_single_kml(layer_folder, out_merge_path, layer_tag=None):
+    """
+    Merge all KML polygons in layer_folder into a single KML file, preserving each polygon's name
+    and extended data. Polygons are restyled for layer_tag (default: the folder name).
+    """
+    layer_tag = layer_tag or os.path.basename(os.path.normpath(layer_folder))
     files = [os.path.join(layer_folder, f) for f in os.listdir(layer_folder) if f.lower().endswith('.kml')]
     files = sorted(files)
     mk = simplekml.Kml()
@@ -349,6 +533,11 @@ def merge_layer_folder_to_single_kml(layer_folder, out_merge_path):
             # Get Placemark name (use first <name> child; fallback to "Untitled Polygon" if missing)
             name_nodes = pm.getElementsByTagName("name")
             poly_name = name_nodes[0].firstChild.nodeValue.strip() if name_nodes and name_nodes[0].firstChild else "Untitled Polygon"
+            extended = {}
+            for data in pm.getElementsByTagName("Data"):
+                value_nodes = data.getElementsByTagName("value")
+                if value_nodes and value_nodes[0].firstChild:
+                    extended[data.getAttribute("name")] = value_nodes[0].firstChild.nodeValue
             polys = pm.getElementsByTagName("Polygon")
             for p in polys:
                 coords_nodes = p.getElementsByTagName("coordinates")
@@ -360,18 +549,23 @@ def merge_layer_folder_to_single_kml(layer_folder, out_merge_path):
                         parts = pair.split(",")
                         lon = float(parts[0]); lat = float(parts[1])
                         coords.append((lon, lat))
-                    mk.newpolygon(name=poly_name, outerboundaryis=coords)
+                    pol = mk.newpolygon(name=poly_name, outerboundaryis=coords)
+                    style_lane_polygon(pol, layer_tag)
+                    add_extended_data(pol, extended)
     mk.save(out_merge_path)
     return out_merge_path
 
 def create_chainage_line_kml(df_chain, out_kml_path):
     """
     Create KML showing:
-    - 5m chainage segments as WHITE LineStrings
-    - Placemark POINT at every 5m chainage (YELLOW)
+    - 5m chainage segments as LineStrings (WHITE unless the styling profile says otherwise)
+    - Placemark POINT at every 5m chainage (YELLOW), or only every chainageLabelIntervalM
+    - RED Placemark POINT where a chainage equation applies (first point after the break)
     """
     print("-> Creating 5m chainage Line + Point KML...")
     kml = simplekml.Kml()
+    line_color = kml_color(STYLE["chainageLineColor"]) if STYLE.get("chainageLineColor") else simplekml.Color.white
+    point_color = kml_color(STYLE["chainagePointColor"]) if STYLE.get("chainagePointColor") else simplekml.Color.yellow
  
     for i in range(len(df_chain) - 1):
         row1 = df_chain.iloc[i]
@@ -385,21 +579,42 @@ def create_chainage_line_kml(df_chain, out_kml_path):
  
         seg_name = f"{start_km:.{CHAINAGE_DECIMALS}f}_to_{end_km:.{CHAINAGE_DECIMALS}f}"
  
-        # 1. WHITE LINE SEGMENT
+        # 1. LINE SEGMENT
         line = kml.newlinestring(
             name=f"Chainage_{seg_name}",
             coords=[p1, p2]
         )
         line.style.linestyle.width = 3
-        line.style.linestyle.color = simplekml.Color.white
+        line.style.linestyle.color = line_color
+        add_extended_data(line, {
+            "ChainageStart": f"{start_km:.{CHAINAGE_DECIMALS}f}",
+            "ChainageEnd": f"{end_km:.{CHAINAGE_DECIMALS}f}"
+        })
  
-        # 2. YELLOW PLACEMARK POINT
-        point = kml.newpoint(
-            name=f"CH {start_km:.{CHAINAGE_DECIMALS}f}",
-            coords=[p1]
-        )
-        point.style.iconstyle.scale = 0.8
-        point.style.iconstyle.color = simplekml.Color.yellow
+        # 2. LABEL POINT (first point always, then at the label interval)
+        if i == 0 or is_label_chainage(start_km):
+            point = kml.newpoint(
+                name=f"CH {start_km:.{CHAINAGE_DECIMALS}f}",
+                coords=[p1]
+            )
+            point.style.iconstyle.scale = 0.8
+            point.style.iconstyle.color = point_color
+            add_extended_data(point, {"Chainage": f"{start_km:.{CHAINAGE_DECIMALS}f}"})
+ 
+    # 3. RED EQUATION MARKERS
+    if "zone" in df_chain.columns:
+        for i in range(1, len(df_chain)):
+            zone = int(df_chain.iloc[i]["zone"])
+            if zone == int(df_chain.iloc[i - 1]["zone"]):
+                continue
+            back_km, ahead_km = CHAINAGE_EQUATIONS[zone - 1]
+            row = df_chain.iloc[i]
+            eq_point = kml.newpoint(
+                name=f"EQ {back_km:.{CHAINAGE_DECIMALS}f} BK = {ahead_km:.{CHAINAGE_DECIMALS}f} AH",
+                coords=[(row["longitude"], row["latitude"])]
+            )
+            eq_point.style.iconstyle.scale = 1.2
+            eq_point.style.iconstyle.color = simplekml.Color.red
  
     # add last end point
     last = df_chain.iloc[-1]
@@ -411,7 +626,8 @@ def create_chainage_line_kml(df_chain, out_kml_path):
         coords=[last_pt]
     )
     point.style.iconstyle.scale = 0.8
-    point.style.iconstyle.color = simplekml.Color.yellow
+    point.style.iconstyle.color = point_color
+    add_extended_data(point, {"Chainage": f"{last_km:.{CHAINAGE_DECIMALS}f}"})
  
     kml.save(out_kml_path)
     print("-> Chainage Line + Point KML saved:", out_kml_path)
@@ -429,17 +645,33 @@ def run_pipeline():
 
     print("1) Reading input KML & interpolating...")
     line_coords = read_linestring_from_kml(INPUT_KML)
-    interp_points = interpolate_geodesic_points(line_coords, INTERVAL_METERS)
-    if not interp_points:
+    n_points = count_interpolation_points(line_coords, INTERVAL_METERS)
+    if n_points == 0:
         raise RuntimeError("No interpolation points generated - check input KML and INTERVAL_METERS.")
 
-    chainage_strs, chainage_nums = make_chainages(CHAINAGE_START_KM, len(interp_points), INTERVAL_METERS)
+    # Chainage is laid out over the full line so a window keeps the full-road values
+    chainage_strs, chainage_nums, chainage_zones = make_chainages(
+        CHAINAGE_START_KM, n_points, INTERVAL_METERS, CHAINAGE_DIRECTION, CHAINAGE_EQUATIONS)
+    first, last = 0, n_points - 1
+    if WINDOW_FROM_KM is not None or WINDOW_TO_KM is not None:
+        first, last = select_chainage_window(chainage_nums, WINDOW_FROM_KM, WINDOW_TO_KM)
+        chainage_strs = chainage_strs[first:last + 1]
+        chainage_nums = chainage_nums[first:last + 1]
+        chainage_zones = chainage_zones[first:last + 1]
+        print(f"  Chainage window {WINDOW_FROM_KM} -> {WINDOW_TO_KM} km: points {first}..{last} of {n_points}")
+
+    interp_points = interpolate_geodesic_points(line_coords, INTERVAL_METERS, first, last)
     if len(chainage_nums) != len(interp_points):
         raise RuntimeError("Chainage count mismatch vs interpolated points")
+    if CHAINAGE_DIRECTION < 0 or CHAINAGE_EQUATIONS:
+        print(f"  Chainage {chainage_strs[0]} -> {chainage_strs[-1]} "
+              f"({'decreasing' if CHAINAGE_DIRECTION < 0 else 'increasing'}, "
+              f"{max(chainage_zones) if chainage_zones else 0} of {len(CHAINAGE_EQUATIONS)} equation(s) applied)")
 
     df_chain = pd.DataFrame({
         "chainage_km_str": chainage_strs,
         "chainage_km": chainage_nums,
+        "zone": chainage_zones,
         "latitude": [p[1] for p in interp_points],
         "longitude": [p[0] for p in interp_points]
     })
@@ -454,7 +686,9 @@ def run_pipeline():
     create_chainage_line_kml(df_chain, chainage_kml_path)
     
     # 2) Median offsets (Median_LHS / Median_RHS)
-    print(f"2) Computing Median_LHS & Median_RHS (offset = {OFFSET_LINE_POLYGONS_EXCEL} m)...")
+    lhs_widths, lhs_median_offset = side_lane_config("lhs")
+    rhs_widths, rhs_median_offset = side_lane_config("rhs")
+    print(f"2) Computing Median_LHS & Median_RHS (offset = {lhs_median_offset} m / {rhs_median_offset} m)...")
     offset_L = []
     offset_R = []
     for i, row in df_chain.iterrows():
@@ -468,8 +702,8 @@ def run_pipeline():
         if i < len(df_chain) - 1:
             next_pt = Point(latitude=df_chain.loc[i + 1, "latitude"],
                             longitude=df_chain.loc[i + 1, "longitude"])
-        lat_l, lon_l = offset_point(lat, lon, OFFSET_LINE_POLYGONS_EXCEL, "left", prev_pt=prev_pt, next_pt=next_pt)
-        lat_r, lon_r = offset_point(lat, lon, OFFSET_LINE_POLYGONS_EXCEL, "right", prev_pt=prev_pt, next_pt=next_pt)
+        lat_l, lon_l = offset_point(lat, lon, lhs_median_offset, "left", prev_pt=prev_pt, next_pt=next_pt)
+        lat_r, lon_r = offset_point(lat, lon, rhs_median_offset, "right", prev_pt=prev_pt, next_pt=next_pt)
         offset_L.append((lon_l, lat_l))
         offset_R.append((lon_r, lat_r))
 
@@ -482,60 +716,35 @@ def run_pipeline():
     print(f"  [OK] Saved: {median_lhs_path}")
     print(f"  [OK] Saved: {median_rhs_path}")
 
-    # 3) Generate lane layers based on LANE_COUNT
-    print(f"3) Generating lane layers for LANE_COUNT = {LANE_COUNT} ...")
-    def compute_layer_count(lane_count):
-        if lane_count < 2:
-            return 0
-        cnt = 1
-        if lane_count >= 4:
-            cnt += 1
-        if lane_count >= 6:
-            cnt += 1
-        return cnt
-
-    left_layers = compute_layer_count(LANE_COUNT)
-    right_layers = left_layers
-
+    # 3) Generate lane layers, one per lane width on each side
+    print(f"3) Generating lane layers (LHS widths = {lhs_widths}, RHS widths = {rhs_widths}) ...")
     left_created = {}
     right_created = {}
 
-    if left_layers > 0:
-        left_created = create_layers_from_base(median_lhs_path, "left", "LHS", left_layers)
-    if right_layers > 0:
-        right_created = create_layers_from_base(median_rhs_path, "right", "RHS", right_layers)
+    if lhs_widths:
+        left_created = create_layers_from_base(median_lhs_path, "left", "LHS", lhs_widths)
+    if rhs_widths:
+        right_created = create_layers_from_base(median_rhs_path, "right", "RHS", rhs_widths)
 
     print("-> Left layers created:", left_created)
     print("-> Right layers created:", right_created)
 
-    # 4) Build layer_pairs (parent -> child) for L1->L2 and L2->L3
+    # 4) Build layer_pairs (parent -> child): median -> L1, L1 -> L2, ..., L(n-1) -> Ln
     print("4) Preparing layer pairings for KML generation...")
     layer_pairs = []  # tuples (path_parent, path_child, out_folder, layer_tag)
 
-    def add_pair_if_exists(parent_key, child_key, base_folder, created_dict):
-        if parent_key in created_dict and child_key in created_dict:
+    def add_side_pairs(prefix, median_path, created_dict, base_folder):
+        parent_key, parent_path = "median", median_path
+        for L in range(1, len(created_dict) + 1):
+            child_key = f"{prefix}_L{L}"
             out_folder = os.path.join(base_folder, child_key)
             os.makedirs(out_folder, exist_ok=True)
-            layer_pairs.append((created_dict[parent_key], created_dict[child_key], out_folder, child_key))
+            layer_pairs.append((parent_path, created_dict[child_key], out_folder, child_key))
             print(f"  [OK] Pair registered: {parent_key} -> {child_key}")
+            parent_key, parent_path = child_key, created_dict[child_key]
 
-    # L1 pairing: median -> L1
-    if "LHS_L1" in left_created:
-        lhs_l1_folder = os.path.join(KML_LHS_FOLDER, "LHS_L1")
-        os.makedirs(lhs_l1_folder, exist_ok=True)
-        layer_pairs.append((median_lhs_path, left_created["LHS_L1"], lhs_l1_folder, "LHS_L1"))
-        print("  [OK] LHS_L1 pair (median -> LHS_L1) added")
-    if "RHS_L1" in right_created:
-        rhs_l1_folder = os.path.join(KML_RHS_FOLDER, "RHS_L1")
-        os.makedirs(rhs_l1_folder, exist_ok=True)
-        layer_pairs.append((median_rhs_path, right_created["RHS_L1"], rhs_l1_folder, "RHS_L1"))
-        print("  [OK] RHS_L1 pair (median -> RHS_L1) added")
-
-    # L2 and L3 pairings
-    add_pair_if_exists("LHS_L1", "LHS_L2", KML_LHS_FOLDER, left_created)
-    add_pair_if_exists("RHS_L1", "RHS_L2", KML_RHS_FOLDER, right_created)
-    add_pair_if_exists("LHS_L2", "LHS_L3", KML_LHS_FOLDER, left_created)
-    add_pair_if_exists("RHS_L2", "RHS_L3", KML_RHS_FOLDER, right_created)
+    add_side_pairs("LHS", median_lhs_path, left_created, KML_LHS_FOLDER)
+    add_side_pairs("RHS", median_rhs_path, right_created, KML_RHS_FOLDER)
 
     # 5) Generate per-layer binned KMLs
     print("5) Generating per-layer binned KMLs ...")
@@ -551,14 +760,14 @@ def run_pipeline():
         layer_dir = os.path.join(KML_LHS_FOLDER, sub)
         if os.path.isdir(layer_dir):
             out_merge = os.path.join(KML_MERGED_FOLDER, f"{sub}_merge.kml")
-            merge_layer_folder_to_single_kml(layer_dir, out_merge)
+            merge_layer_folder_to_single_kml(layer_dir, out_merge, sub)
             print(f"  -> Merged {sub} -> {out_merge}")
 
     for sub in os.listdir(KML_RHS_FOLDER):
         layer_dir = os.path.join(KML_RHS_FOLDER, sub)
         if os.path.isdir(layer_dir):
             out_merge = os.path.join(KML_MERGED_FOLDER, f"{sub}_merge.kml")
-            merge_layer_folder_to_single_kml(layer_dir, out_merge)
+            merge_layer_folder_to_single_kml(layer_dir, out_merge, sub)
             print(f"  -> Merged {sub} -> {out_merge}")
 
     print("ALL DONE")
@@ -576,7 +785,8 @@ if __name__ == "__main__":
     try:
         run_pipeline()
     except Exception as e:
+        # traceback goes to stdout so the server finds it between the markers
         print("CRITICAL_PYTHON_ERROR_START")
-        traceback.print_exc()
+        traceback.print_exc(file=sys.stdout)
         print("CRITICAL_PYTHON_ERROR_END")
         sys.exit(1)
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server } = require('./helpers');
+
+const { validateUsername, validatePassword, isSessionCurrent } = server;
+
+test('validateUsername accepts folder-safe names', () => {
+    ['abc', 'road.team_2', 'A-1', 'x'.repeat(32)].forEach(name => assert.deepEqual(validateUsername(name), [], name));
+});
+
+test('validateUsername rejects short, long, unsafe and non-string names', () => {
+    ['ab', 'x'.repeat(33), '.hidden', '../etc', 'a b c', 'name/sub', 42, undefined].forEach(name => {
+        const errors = validateUsername(name);
+        assert.equal(errors.length, 1, String(name));
+        assert.equal(errors[0].field, 'username');
+    });
+    assert.equal(validateUsername(undefined)[0].value, null);
+});
+
+test('validatePassword accepts a password that meets the policy', () => {
+    assert.deepEqual(validatePassword('Passw0rd!x', 'tester'), []);
+});
+
+test('validatePassword lists every rule a password breaks without echoing it', () => {
+    assert.deepEqual(validatePassword('short1', 'tester').map(e => e.message), ['password must be at least 8 characters']);
+    assert.deepEqual(validatePassword('onlyletters', 'tester').map(e => e.message), ['password must contain at least one letter and one digit']);
+    assert.deepEqual(validatePassword('x'.repeat(127) + '12', 'tester').map(e => e.message), ['password must be at most 128 characters']);
+    const errors = validatePassword('my-TESTER-pass', 'tester', 'newPassword');
+    assert.deepEqual(errors.map(e => e.message), [
+        'password must contain at least one letter and one digit',
+        'password must not contain the username'
+    ]);
+    assert.ok(errors.every(e => e.field === 'newPassword' && !('value' in e)));
+    assert.equal(validatePassword(12345678, 'tester').length, 1);
+});
+
+test('isSessionCurrent compares the token\'s password stamp with the account', () => {
+    const stamp = '2024-01-01T00:00:00.000Z';
+    assert.equal(isSessionCurrent({ username: 'tester' }, {}), true);
+    assert.equal(isSessionCurrent({ username: 'tester', passwordChangedAt: stamp }, { pwdAt: stamp }), true);
+    assert.equal(isSessionCurrent({ username: 'tester', passwordChangedAt: stamp }, {}), false);
+    assert.equal(isSessionCurrent({ username: 'tester' }, { pwdAt: stamp }), false);
+    assert.equal(isSessionCurrent(null, {}), false);
+});
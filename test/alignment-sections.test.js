@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server } = require('./helpers');
+
+const { planAlignmentSections, resolvePipelineParams } = server;
+
+// 0.001 degrees of longitude on the equator is about 111 m
+const line = (name, coordinates, properties = {}) => ({
+    type: 'Feature',
+    properties: { name, ...properties },
+    geometry: { type: 'LineString', coordinates }
+});
+const defaults = () => resolvePipelineParams({}).params;
+
+test('planAlignmentSections reports inputs without lines', () => {
+    const point = { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [0, 0] } };
+    const { sections, summary, errors } = planAlignmentSections([point], defaults());
+    assert.deepEqual(sections, []);
+    assert.equal(errors[0].field, 'geometry');
+    assert.equal(summary.skipped[0].reason, 'Point is not a line');
+});
+
+test('planAlignmentSections stitches lines end to end, flipping reversed ones', () => {
+    const features = [line('A', [[0, 0], [0.001, 0]]), line('B', [[0.002, 0], [0.001, 0]])];
+    const { sections, summary, errors } = planAlignmentSections(features, defaults());
+    assert.deepEqual(errors, []);
+    assert.equal(sections.length, 1);
+    assert.deepEqual(sections[0].featureIndices, [0, 1]);
+    assert.equal(summary.mode, 'stitch');
+    assert.deepEqual(summary.joins, [{ from: 'A', to: 'B', gapM: 0, reversed: true }]);
+    assert.deepEqual(summary.warnings, []);
+    assert.match(sections[0].kml, /0,0(,0)? 0\.001,0(,0)? 0\.002,0/);
+});
+
+test('planAlignmentSections warns about wide gaps between stitched lines', () => {
+    const features = [line('A', [[0, 0], [0.001, 0]]), line('B', [[0.003, 0], [0.004, 0]])];
+    const { summary } = planAlignmentSections(features, defaults());
+    assert.equal(summary.warnings.length, 1);
+    assert.match(summary.warnings[0], /between "A" and "B"/);
+});
+
+test('planAlignmentSections splits MultiLineString parts into separate sections', () => {
+    const multi = {
+        type: 'Feature',
+        properties: { name: 'Road' },
+        geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [0.001, 0]], [[0.01, 0], [0.011, 0]]] }
+    };
+    const { sections, summary, errors } = planAlignmentSections([multi], defaults(), { mode: 'separate', sectionChainages: '1.5, 7' });
+    assert.deepEqual(errors, []);
+    assert.equal(summary.mode, 'separate');
+    assert.deepEqual(sections.map(s => s.name), ['Road (part 1)', 'Road (part 2)']);
+    assert.deepEqual(sections.map(s => s.params.startChainageKm), [1.5, 7]);
+});
+
+test('planAlignmentSections takes a section\'s start chainage from its properties', () => {
+    const features = [line('A', [[0, 0], [0.001, 0]], { chainage: 4 }), line('B', [[0.01, 0], [0.011, 0]])];
+    const params = resolvePipelineParams({ startChainageKm: 2 }).params;
+    const { sections } = planAlignmentSections(features, params, { mode: 'separate' });
+    assert.deepEqual(sections.map(s => s.params.startChainageKm), [4, 2]);
+});
+
+test('planAlignmentSections rejects unknown modes and bad section chainages', () => {
+    const features = [line('A', [[0, 0], [0.001, 0]]), line('B', [[0.01, 0], [0.011, 0]])];
+    assert.equal(planAlignmentSections(features, defaults(), { mode: 'merge' }).errors[0].field, 'multiFeatureMode');
+    const { errors } = planAlignmentSections(features, defaults(), { mode: 'separate', sectionChainages: '1, x' });
+    assert.deepEqual(errors.map(e => e.field), ['sectionChainages[1]']);
+});
+
+test('planAlignmentSections rejects a chainage window outside the alignment', () => {
+    // About 0.111 km long from chainage 10
+    const params = resolvePipelineParams({ startChainageKm: 10, fromChainageKm: 20, toChainageKm: 21 }).params;
+    const { errors } = planAlignmentSections([line('A', [[0, 0], [0.001, 0]])], params);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].field, 'fromChainageKm');
+    assert.match(errors[0].message, /outside the alignment \(10\.000 to 10\.111 km\)/);
+});
+
+test('planAlignmentSections accepts an open-ended window that reaches the alignment', () => {
+    const params = resolvePipelineParams({ startChainageKm: 10, fromChainageKm: 10.05 }).params;
+    assert.deepEqual(planAlignmentSections([line('A', [[0, 0], [0.001, 0]])], params).errors, []);
+});
+
+test('planAlignmentSections measures the window against decreasing chainage', () => {
+    const features = [line('A', [[0, 0], [0.001, 0]])];
+    const inside = resolvePipelineParams({ startChainageKm: 10, chainageDirection: 'decreasing', fromChainageKm: 9.95 }).params;
+    assert.deepEqual(planAlignmentSections(features, inside).errors, []);
+    const beyond = resolvePipelineParams({ startChainageKm: 10, chainageDirection: 'decreasing', toChainageKm: 10.5 }).params;
+    assert.equal(planAlignmentSections(features, beyond).errors[0].field, 'fromChainageKm');
+});
+
+test('planAlignmentSections drops separate sections the window misses', () => {
+    const features = [line('A', [[0, 0], [0.001, 0]]), line('B', [[0.01, 0], [0.011, 0]])];
+    const params = resolvePipelineParams({ fromChainageKm: 5, toChainageKm: 6 }).params;
+    const { sections, summary, errors } = planAlignmentSections(features, params, { mode: 'separate', sectionChainages: [0, 5.5] });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(sections.map(s => s.name), ['B']);
+    assert.equal(summary.used[0].outsideWindow, true);
+    assert.match(summary.warnings[0], /Section "A" skipped/);
+});
+
+test('planAlignmentSections does not guess the window when chainage equations apply', () => {
+    const params = resolvePipelineParams({
+        fromChainageKm: 50,
+        toChainageKm: 51,
+        chainageEquations: [{ backKm: 0.05, aheadKm: 50 }]
+    }).params;
+    assert.deepEqual(planAlignmentSections([line('A', [[0, 0], [0.001, 0]])], params).errors, []);
+});
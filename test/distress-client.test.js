@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDistressClient } = require('../distress_client');
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distress-client-test-'));
+const file = { path: path.join(dir, 'road.kml'), name: 'road.kml', contentType: 'application/vnd.google-earth.kml+xml' };
+fs.writeFileSync(file.path, '<kml/>');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const ok = (data, headers = {}) => ({ status: 200, headers, data: Buffer.from(data) });
+const httpError = (status, data = '') => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers: {}, data: Buffer.from(data) }
+});
+const networkError = code => Object.assign(new Error(code), { code });
+
+// Answers each request with the next outcome (a response, or an Error to throw) and records
+// the requests and backoff delays
+function fakeClient(t, outcomes, options = {}) {
+    t.mock.method(console, 'error', () => { });
+    const calls = [];
+    const delays = [];
+    const httpClient = {
+        request: async req => {
+            calls.push(req);
+            const outcome = outcomes.shift();
+            if (outcome instanceof Error) throw outcome;
+            return outcome;
+        }
+    };
+    const client = createDistressClient({
+        baseUrl: 'http://distress.test/',
+        endpoints: {},
+        retries: 2,
+        retryDelayMs: 100,
+        httpClient,
+        sleep: async ms => { delays.push(ms); },
+        ...options
+    });
+    return { client, calls, delays };
+}
+
+test('request posts the KML and falls back to the endpoint content type and file name', async t => {
+    const { client, calls } = fakeClient(t, [ok('report', { 'content-type': XLSX_TYPE })]);
+    const result = await client.request('finalPredicted', file, { start_date: '2024-01-01', project_name: 'NH1' });
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].method, 'post');
+    assert.equal(calls[0].url, 'http://distress.test/detect-distress-final_predicted/');
+    assert.equal(calls[0].headers.accept, XLSX_TYPE);
+    assert.equal(result.status, 200);
+    assert.equal(result.contentType, XLSX_TYPE);
+    assert.equal(result.contentDisposition, 'attachment; filename="distress_predicted_final.xlsx"');
+    assert.equal(result.data.toString(), 'report');
+});
+
+test('request retries 5xx and network errors with doubling delays', async t => {
+    const { client, calls, delays } = fakeClient(t, [httpError(503), networkError('ECONNRESET'), ok('rows')]);
+    const result = await client.request('predicted', file);
+    assert.equal(result.data.toString(), 'rows');
+    assert.equal(calls.length, 3);
+    assert.deepEqual(delays, [100, 200]);
+});
+
+test('request does not retry a timeout and answers 504', async t => {
+    const { client, calls, delays } = fakeClient(t, [networkError('ECONNABORTED')], { timeoutMs: 1234 });
+    await assert.rejects(client.request('predicted', file), error =>
+        error.status === 504 && error.endpoint === 'predicted' && /within 1234 ms/.test(error.message));
+    assert.equal(calls.length, 1);
+    assert.deepEqual(delays, []);
+});
+
+test('request passes a 4xx through with the service detail and no retry', async t => {
+    const { client, calls } = fakeClient(t, [httpError(422, JSON.stringify({ detail: 'KML has no LineString' }))]);
+    await assert.rejects(client.request('fullPipeline', file), error =>
+        error.status === 422 && error.upstreamStatus === 422 && error.detail === 'KML has no LineString');
+    assert.equal(calls.length, 1);
+});
+
+test('request tries the fallback path once the main path keeps failing, then answers 502', async t => {
+    const { client, calls } = fakeClient(t, [
+        httpError(500), httpError(500), httpError(500),
+        httpError(502, 'bad gateway'), httpError(502, 'bad gateway'), httpError(502, 'bad gateway')
+    ]);
+    await assert.rejects(client.request('fullPipeline', file), error =>
+        error.status === 502 && error.upstreamStatus === 502 && error.message === 'Distress service error (502): bad gateway');
+    assert.deepEqual([...new Set(calls.map(c => c.url))], [
+        'http://distress.test/road-distress-fullpipeline_reported',
+        'http://distress.test/road-distress-fullpipeline/'
+    ]);
+    assert.equal(calls.length, 6);
+});
+
+test('request downloads the report with a GET when the POST redirects', async t => {
+    const { client, calls } = fakeClient(t, [
+        { status: 303, headers: { location: '/elsewhere' }, data: Buffer.alloc(0) },
+        ok('sheet', { 'content-type': XLSX_TYPE })
+    ]);
+    const result = await client.request('fullPipeline', file, { start_date: '2024-01-01', end_date: '2024-02-01', project_name: 'NH1' });
+    assert.equal(calls[1].method, 'get');
+    assert.equal(calls[1].url, 'http://distress.test/road-distress-fullpipeline_reported?start_date=2024-01-01&end_date=2024-02-01');
+    assert.equal(result.data.toString(), 'sheet');
+});
+
+test('request rejects unknown endpoints without calling the service', async t => {
+    const { client, calls } = fakeClient(t, []);
+    await assert.rejects(client.request('nope', file), error => error.status === 500 && error.endpoint === 'nope');
+    assert.equal(calls.length, 0);
+});
+
+test('createDistressClient merges endpoint overrides over the defaults', () => {
+    const client = createDistressClient({ endpoints: { predicted: { path: '/v2/predict' }, extra: { path: '/extra' } } });
+    assert.equal(client.config.endpoints.predicted.path, '/v2/predict');
+    assert.deepEqual(client.config.endpoints.predicted.fileFields, ['kml']);
+    assert.deepEqual(client.config.endpoints.extra, { fileFields: ['file'], accept: '*/*', path: '/extra' });
+    assert.equal(client.config.endpoints.reported.path, '/road-distress-fullpipeline_reported');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server } = require('./helpers');
+
+const { checkEntryBody } = server;
+
+const feature = geometry => ({ type: 'Feature', properties: { name: 'A' }, geometry });
+const fields = errors => errors.map(e => e.field);
+
+test('checkEntryBody accepts features, bare geometries and collections', () => {
+    const body = {
+        metadata: { intervalM: 5 },
+        geometry: [
+            feature({ type: 'LineString', coordinates: [[0, 0], [1, 1]] }),
+            { type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]] },
+            feature({ type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [0, 0] }] }),
+            feature(null)
+        ]
+    };
+    assert.deepEqual(checkEntryBody(body, { requireGeometry: true }), []);
+});
+
+test('checkEntryBody requires geometry only when asked to', () => {
+    assert.deepEqual(fields(checkEntryBody({ metadata: {} }, { requireGeometry: true })), ['geometry']);
+    assert.deepEqual(checkEntryBody({ metadata: {} }, { requireGeometry: false }), []);
+});
+
+test('checkEntryBody rejects bodies, metadata and geometry of the wrong type', () => {
+    assert.deepEqual(fields(checkEntryBody(null, { requireGeometry: true })), ['body']);
+    assert.deepEqual(fields(checkEntryBody([], { requireGeometry: true })), ['body']);
+    assert.deepEqual(fields(checkEntryBody({ metadata: 'x', geometry: {} }, { requireGeometry: true })), ['metadata', 'geometry']);
+});
+
+test('checkEntryBody names each malformed item', () => {
+    const body = {
+        geometry: [
+            null,
+            feature({ type: 'LineString', coordinates: [0, 0] }),
+            { type: 'MultiLineString', coordinates: [[0, 0]] },
+            feature({ type: 'GeometryCollection', geometries: [7] }),
+            { type: 'GeometryCollection' },
+            { type: 'Feature', properties: 'name', geometry: null },
+            feature('LineString')
+        ]
+    };
+    assert.deepEqual(fields(checkEntryBody(body, { requireGeometry: true })), [
+        'geometry[0]',
+        'geometry[1].geometry.coordinates',
+        'geometry[2].coordinates',
+        'geometry[3].geometry.geometries[0]',
+        'geometry[4].geometries',
+        'geometry[5].properties',
+        'geometry[6].geometry'
+    ]);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server } = require('./helpers');
+
+const { validateAlignmentGeometry, findSelfIntersections, forEachOverlappingBoxPair } = server;
+
+// 0.001 degrees on the equator is about 111 m
+const line = coordinates => ({ type: 'Feature', properties: { name: 'A' }, geometry: { type: 'LineString', coordinates } });
+const codes = list => list.map(item => item.code);
+
+test('validateAlignmentGeometry accepts a plain line and summarises it', () => {
+    const result = validateAlignmentGeometry([line([[0, 0], [0.001, 0], [0.002, 0.0002]])]);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+    assert.equal(result.lines.length, 1);
+    assert.equal(result.lines[0].vertices, 3);
+    assert.ok(Math.abs(result.lines[0].lengthM - 224.9) < 1);
+});
+
+test('validateAlignmentGeometry rejects input that is not a feature list', () => {
+    const result = validateAlignmentGeometry({ type: 'FeatureCollection' });
+    assert.equal(result.valid, false);
+    assert.deepEqual(codes(result.errors), ['INVALID_GEOMETRY']);
+});
+
+test('validateAlignmentGeometry spots swapped and invalid coordinates', () => {
+    assert.deepEqual(codes(validateAlignmentGeometry([line([[45, 120], [45.001, 120]])]).errors)[0], 'SWAPPED_LAT_LON');
+    assert.deepEqual(codes(validateAlignmentGeometry([line([[200, 0], [200.001, 0]])]).errors)[0], 'INVALID_COORDINATE');
+});
+
+test('validateAlignmentGeometry needs at least two intervals of length', () => {
+    const short = [line([[0, 0], [0.00005, 0]])]; // about 5.6 m
+    assert.deepEqual(codes(validateAlignmentGeometry(short).errors), ['TOO_SHORT']);
+    assert.deepEqual(validateAlignmentGeometry(short, { intervalM: 1 }).errors, []);
+});
+
+test('validateAlignmentGeometry warns about skipped features and repeated vertices', () => {
+    const point = { type: 'Feature', properties: { name: 'P' }, geometry: { type: 'Point', coordinates: [0, 0] } };
+    const result = validateAlignmentGeometry([point, line([[0, 0], [0.001, 0], [0.001, 0], [0.002, 0]])]);
+    assert.equal(result.valid, true);
+    assert.deepEqual(codes(result.warnings), ['SKIPPED_FEATURE', 'DUPLICATE_VERTEX']);
+    assert.equal(result.warnings[1].vertexIndex, 2);
+});
+
+test('validateAlignmentGeometry tells sharp turns from reversals', () => {
+    const turn = validateAlignmentGeometry([line([[0, 0], [0.001, 0], [0.0005, 0.001]])]);
+    assert.deepEqual(codes(turn.errors), []);
+    assert.deepEqual(codes(turn.warnings), ['SHARP_TURN']);
+
+    // The repeated vertex must not hide the reversal behind it
+    const reversal = validateAlignmentGeometry([line([[0, 0], [0.001, 0], [0.001, 0], [0.0001, 0.00001]])]);
+    assert.ok(codes(reversal.errors).includes('SHARP_REVERSAL'));
+    assert.equal(reversal.errors.find(e => e.code === 'SHARP_REVERSAL').vertexIndex, 1);
+});
+
+test('validateAlignmentGeometry reports self-intersections with original vertex numbers', () => {
+    const crossing = [[0, 0], [0.002, 0], [0.002, 0], [0.002, 0.001], [0.001, 0.001], [0.001, -0.001]];
+    const cross = validateAlignmentGeometry([line(crossing)]).errors.find(e => e.code === 'SELF_INTERSECTION');
+    assert.ok(cross);
+    assert.match(cross.message, /between segments 0 and 4/);
+    assert.ok(Math.abs(cross.coordinates[0] - 0.001) < 1e-9 && Math.abs(cross.coordinates[1]) < 1e-9);
+});
+
+test('findSelfIntersections ignores the join of a closed ring', () => {
+    const ring = [[0, 0], [0.001, 0], [0.001, 0.001], [0, 0.001], [0, 0]];
+    assert.deepEqual(findSelfIntersections(ring), []);
+});
+
+test('findSelfIntersections finds every crossing of a zigzag over a straight run', () => {
+    // East along the equator, then back west zigzagging across it: ten crossings
+    const coords = [[0, 0], [0.01, 0]];
+    for (let i = 0; i <= 10; i++) coords.push([0.0095 - i * 0.0009, i % 2 === 0 ? 0.0001 : -0.0001]);
+    const found = findSelfIntersections(coords);
+    assert.equal(found.length, 10);
+    assert.ok(found.every(cross => cross.vertexIndex === 0));
+    assert.deepEqual(found.map(cross => cross.otherVertexIndex), [2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+});
+
+test('forEachOverlappingBoxPair visits the same pairs as comparing every pair', () => {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const boxes = Array.from({ length: 300 }, (_, i) => {
+        const size = i % 50 === 0 ? 40 : random() * 2; // a few boxes span many cells
+        const x = random() * 100;
+        const y = random() * 100;
+        return { minX: x, maxX: x + size, minY: y, maxY: y + size * random() };
+    });
+
+    const expected = [];
+    boxes.forEach((a, i) => boxes.forEach((b, j) => {
+        if (j > i && !(b.minX > a.maxX || b.maxX < a.minX || b.minY > a.maxY || b.maxY < a.minY)) expected.push(`${i}:${j}`);
+    }));
+    const visited = [];
+    forEachOverlappingBoxPair(boxes, (i, j) => visited.push(`${i}:${j}`), 16);
+    assert.deepEqual(visited.sort(), expected.sort());
+});
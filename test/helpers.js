@@ -0,0 +1,16 @@
+// Loads server.js against a throwaway data folder holding two users, "tester" and "other". The environment
+// is set before the require because server.js reads it at load time.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kml-backend-test-'));
+fs.writeFileSync(path.join(dataDir, 'users.json'), JSON.stringify([
+    { username: 'tester', password: '' },
+    { username: 'other', password: '' }
+]));
+process.env.DATA_DIR = dataDir;
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+module.exports = { server: require('../server'), dataDir };
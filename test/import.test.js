@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server } = require('./helpers');
+
+const { geojsonTextToFeatures, importAlignmentFile } = server;
+
+const lineString = { type: 'LineString', coordinates: [[0, 0], [0.001, 0]] };
+
+// Import errors carry status 400 so routes can tell them from server faults
+function assertImportError(fn, pattern) {
+    assert.throws(fn, error => error.status === 400 && pattern.test(error.message));
+}
+
+test('geojsonTextToFeatures reads collections, features and bare geometries', () => {
+    const feature = { type: 'Feature', properties: { name: 'A' }, geometry: lineString };
+    assert.deepEqual(geojsonTextToFeatures(JSON.stringify({ type: 'FeatureCollection', features: [feature] })), [feature]);
+    assert.deepEqual(geojsonTextToFeatures(JSON.stringify(feature)), [feature]);
+    assert.deepEqual(geojsonTextToFeatures(JSON.stringify(lineString)), [{ type: 'Feature', properties: {}, geometry: lineString }]);
+    assert.deepEqual(geojsonTextToFeatures(JSON.stringify([lineString, feature])), [
+        { type: 'Feature', properties: {}, geometry: lineString },
+        feature
+    ]);
+});
+
+test('geojsonTextToFeatures skips a byte order mark', () => {
+    assert.equal(geojsonTextToFeatures(`\uFEFF${JSON.stringify(lineString)}`).length, 1);
+});
+
+test('geojsonTextToFeatures answers malformed input with import errors', () => {
+    assertImportError(() => geojsonTextToFeatures('{'), /^Invalid GeoJSON/);
+    assertImportError(() => geojsonTextToFeatures('null'), /must be a FeatureCollection/);
+    assertImportError(() => geojsonTextToFeatures('42'), /must be a FeatureCollection/);
+    assertImportError(() => geojsonTextToFeatures('{"type":"Polygonish"}'), /must be a FeatureCollection/);
+    assertImportError(() => geojsonTextToFeatures('[null]'), /array\[0\] is not a Feature/);
+    assertImportError(() => geojsonTextToFeatures('{"type":"FeatureCollection","features":[1]}'), /features\[0\] is not a Feature/);
+    assertImportError(() => geojsonTextToFeatures('{"type":"FeatureCollection","features":{}}'), /features must be an array/);
+});
+
+test('importAlignmentFile detects CSV and groups rows into ordered lines', async () => {
+    const csv = 'line,seq,lat,lon\nB,2,0,0.011\nA,1,0,0\nB,1,0,0.01\nA,2,0,0.001\n';
+    const { format, features } = await importAlignmentFile(Buffer.from(csv), 'points.csv');
+    assert.equal(format, 'csv');
+    assert.deepEqual(features.map(f => [f.properties.name, f.geometry.coordinates]), [
+        ['B', [[0.01, 0], [0.011, 0]]],
+        ['A', [[0, 0], [0.001, 0]]]
+    ]);
+});
+
+test('importAlignmentFile reports CSV rows without coordinates', async () => {
+    await assert.rejects(importAlignmentFile(Buffer.from('lat,lon\n0,0\nx,1\n'), 'points.csv'),
+        error => error.status === 400 && /rows 3/.test(error.message));
+});
+
+test('importAlignmentFile rejects empty collections and unknown formats', async () => {
+    await assert.rejects(importAlignmentFile(Buffer.from('{"type":"FeatureCollection","features":[]}'), 'a.geojson'),
+        error => error.status === 400 && /No features found in the GEOJSON file/.test(error.message));
+    await assert.rejects(importAlignmentFile(Buffer.from('hello'), 'a.docx'),
+        error => error.status === 400 && /Unsupported file format \(\.docx\)/.test(error.message));
+});
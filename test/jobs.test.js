@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { server, dataDir } = require('./helpers');
+
+const { createPipelineJob, findJob, summarizeJob, appendJobOutput, JOB_OUTPUT_LIMIT } = server;
+
+test('createPipelineJob queues a job and persists it to the user\'s jobs.json', () => {
+    const job = createPipelineJob('tester', 'save', 'entry-1');
+    assert.equal(job.status, 'queued');
+    assert.equal(job.entryId, 'entry-1');
+
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'users', 'tester', 'jobs.json'), 'utf8'));
+    assert.ok(stored.some(j => j.id === job.id && j.status === 'queued'));
+    assert.equal(findJob('tester', job.id), job);
+});
+
+test('findJob does not return another user\'s job', () => {
+    const job = createPipelineJob('tester', 'upload', 'entry-2');
+    assert.equal(findJob('other', job.id), null);
+});
+
+test('summarizeJob leaves out the captured output', () => {
+    const job = createPipelineJob('tester', 'save', 'entry-3');
+    appendJobOutput(job, 'stdout', 'hello\n');
+    const summary = summarizeJob(job);
+    assert.equal(summary.id, job.id);
+    assert.equal(summary.stdout, undefined);
+    assert.equal(summary.stderr, undefined);
+});
+
+test('appendJobOutput keeps only the last JOB_OUTPUT_LIMIT characters', () => {
+    const job = createPipelineJob('tester', 'save', 'entry-4');
+    appendJobOutput(job, 'stderr', 'a'.repeat(JOB_OUTPUT_LIMIT));
+    appendJobOutput(job, 'stderr', 'tail');
+    assert.equal(job.stderr.length, JOB_OUTPUT_LIMIT);
+    assert.ok(job.stderr.endsWith('tail'));
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { server } = require('./helpers');
+
+const { createId, isInsideDir } = server;
+
+test('createId gives distinct ids within one millisecond', () => {
+    const ids = Array.from({ length: 1000 }, createId);
+    assert.equal(new Set(ids).size, ids.length);
+    ids.forEach(id => assert.match(id, /^\d+-[0-9a-f]{8}$/));
+});
+
+test('isInsideDir admits the folder itself and what is below it', () => {
+    const runs = path.join('/data', 'users', 'tester', 'runs', '17');
+    assert.equal(isInsideDir(runs, runs), true);
+    assert.equal(isInsideDir(runs, path.join(runs, 'Excels', 'out.xlsx')), true);
+    assert.equal(isInsideDir(runs, path.join(runs, '..dots', 'file')), true);
+});
+
+test('isInsideDir rejects siblings that share a prefix and paths that climb out', () => {
+    const runs = path.join('/data', 'users', 'tester', 'runs', '17');
+    assert.equal(isInsideDir(runs, `${runs}0`), false);
+    assert.equal(isInsideDir(runs, path.join(runs, '..', '170', 'file')), false);
+    assert.equal(isInsideDir(runs, path.join('/data', 'users', 'other')), false);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server } = require('./helpers');
+
+const { resolvePipelineParams, PIPELINE_PARAM_SCHEMA } = server;
+
+test('resolvePipelineParams falls back to the schema defaults', () => {
+    const { params, errors } = resolvePipelineParams({});
+    assert.deepEqual(errors, []);
+    for (const [name, spec] of Object.entries(PIPELINE_PARAM_SCHEMA)) {
+        assert.equal(params[name], spec.default, name);
+    }
+});
+
+test('resolvePipelineParams accepts the older metadata names and numeric strings', () => {
+    const { params, errors } = resolvePipelineParams({ chainage: '12.5', offsetType: '3', kmlMergeOffset: 0.2 });
+    assert.deepEqual(errors, []);
+    assert.equal(params.startChainageKm, 12.5);
+    assert.equal(params.medianOffsetM, 3);
+    assert.equal(params.mergeBinKm, 0.2);
+});
+
+test('resolvePipelineParams lets the request override project defaults', () => {
+    const { params, errors } = resolvePipelineParams({ intervalM: 10 }, { intervalM: 2, laneStepM: 3.6 });
+    assert.deepEqual(errors, []);
+    assert.equal(params.intervalM, 10);
+    assert.equal(params.laneStepM, 3.6);
+});
+
+test('resolvePipelineParams skips empty request fields', () => {
+    const { params, errors } = resolvePipelineParams({ intervalM: '', laneCount: null });
+    assert.deepEqual(errors, []);
+    assert.equal(params.intervalM, PIPELINE_PARAM_SCHEMA.intervalM.default);
+    assert.equal(params.laneCount, PIPELINE_PARAM_SCHEMA.laneCount.default);
+});
+
+test('resolvePipelineParams reports bad values per field', () => {
+    const { errors } = resolvePipelineParams({ intervalM: 'abc', laneCount: 2.5, laneStepM: 50, chainage: true });
+    assert.deepEqual(errors.map(e => e.field).sort(), ['chainage', 'intervalM', 'laneCount', 'laneStepM']);
+    assert.match(errors.find(e => e.field === 'laneCount').message, /whole number/);
+    assert.match(errors.find(e => e.field === 'laneStepM').message, /between 1 and 10/);
+});
+
+test('resolvePipelineParams ignores invalid project defaults', () => {
+    const { params, errors } = resolvePipelineParams({}, { intervalM: -1 });
+    assert.deepEqual(errors, []);
+    assert.equal(params.intervalM, PIPELINE_PARAM_SCHEMA.intervalM.default);
+});
+
+test('resolvePipelineParams requires the merge bin to cover one interval', () => {
+    const { errors } = resolvePipelineParams({ intervalM: 20, mergeBinKm: 0.01 });
+    assert.deepEqual(errors.map(e => e.field), ['mergeBinKm']);
+});
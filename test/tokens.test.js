@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { server } = require('./helpers');
+
+const { issueTokens, takeRefreshToken, revokeUserRefreshTokens, ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_SECONDS } = server;
+
+test('issueTokens returns a short-lived access token and a refresh token', () => {
+    const tokens = issueTokens('tester');
+    assert.equal(tokens.token, tokens.accessToken);
+    assert.equal(tokens.expiresIn, ACCESS_TOKEN_TTL_SECONDS);
+    assert.equal(tokens.refreshExpiresIn, REFRESH_TOKEN_TTL_SECONDS);
+    assert.match(tokens.refreshToken, /^[0-9a-f]{64}$/);
+
+    const payload = jwt.decode(tokens.accessToken);
+    assert.equal(payload.username, 'tester');
+    assert.equal(payload.type, 'access');
+    assert.equal(payload.exp - payload.iat, ACCESS_TOKEN_TTL_SECONDS);
+    assert.ok(payload.jti);
+    assert.notEqual(jwt.decode(issueTokens('tester').accessToken).jti, payload.jti);
+});
+
+test('takeRefreshToken uses a refresh token up', () => {
+    const { refreshToken } = issueTokens('tester');
+    const stored = takeRefreshToken(refreshToken);
+    assert.equal(stored.username, 'tester');
+    assert.equal(takeRefreshToken(refreshToken), null);
+});
+
+test('takeRefreshToken rejects unknown tokens', () => {
+    assert.equal(takeRefreshToken('not-a-token'), null);
+    assert.equal(takeRefreshToken(undefined), null);
+});
+
+test('takeRefreshToken rejects an expired token', t => {
+    const { refreshToken } = issueTokens('tester');
+    const later = Date.now() + (REFRESH_TOKEN_TTL_SECONDS + 1) * 1000;
+    t.mock.method(Date, 'now', () => later);
+    assert.equal(takeRefreshToken(refreshToken), null);
+});
+
+test('revokeUserRefreshTokens ends only that user\'s sessions', () => {
+    const mine = issueTokens('tester').refreshToken;
+    const theirs = issueTokens('other').refreshToken;
+    revokeUserRefreshTokens('tester');
+    assert.equal(takeRefreshToken(mine), null);
+    assert.equal(takeRefreshToken(theirs).username, 'other');
+});